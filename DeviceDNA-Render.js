@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * DeviceDNA headless renderer
+ *
+ * Turns a DeviceDNA JSON export into a self-contained HTML report without a
+ * browser or PowerShell. The viewer's own render code (DeviceDNA-Viewer.html)
+ * is executed in a Node VM against a small recording DOM; everything it writes
+ * (tables, counts, dashboard, issue summary) is spliced into the viewer markup,
+ * and the JSON is embedded so the report stays interactive when opened.
+ *
+ * Usage:
+ *   node DeviceDNA-Render.js <input.json> [output.html]
+ *
+ * Requires Node.js 16+ and no npm packages.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VIEWER_PATH = path.join(__dirname, 'DeviceDNA-Viewer.html');
+
+// ============================================================================
+// RECORDING DOM
+// ============================================================================
+// The viewer's content renderers only locate elements and assign innerHTML /
+// textContent. This stand-in records those assignments keyed by selector path
+// ("#section-id tbody", "#container", ...) so they can be applied to markup.
+// Lookups on the document resolve against the viewer markup, so an element the
+// browser would not find is null here too and the viewer's own guards skip it.
+
+/**
+ * Escape text the way a browser's innerHTML serializer does for text nodes
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\u00A0/g, '&nbsp;');
+}
+
+class RecordingElement {
+    constructor(selector, writes) {
+        this.selector = selector;
+        this.writes = writes;
+        this.style = {};
+        this.dataset = {};
+        this.classList = { add() {}, remove() {}, toggle() {}, contains: () => false };
+        this._text = '';
+    }
+
+    set innerHTML(value) {
+        this.writes.set(this.selector, { type: 'html', value: String(value) });
+    }
+
+    get innerHTML() {
+        const write = this.writes.get(this.selector);
+        if (write) return write.type === 'html' ? write.value : escapeText(write.value);
+        return escapeText(this._text);
+    }
+
+    set textContent(value) {
+        this._text = String(value);
+        this.writes.set(this.selector, { type: 'text', value: String(value) });
+    }
+
+    get textContent() {
+        return this._text;
+    }
+
+    querySelector(selector) {
+        return new RecordingElement(this.selector + ' ' + selector, this.writes);
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    closest() {
+        return null;
+    }
+
+    setAttribute() {}
+    getAttribute() { return null; }
+    addEventListener() {}
+    appendChild() {}
+    insertBefore() {}
+    remove() {}
+}
+
+/**
+ * Build the globals the viewer script expects, backed by a recording DOM
+ */
+function createRecordingContext(writes, markup) {
+    // Selector shapes findElement can't resolve are assumed present; a write
+    // through one fails in applyWrites rather than vanishing
+    const lookup = selector => {
+        const known = parseSelector(selector) !== null;
+        return known && !findElement(markup, selector) ? null : new RecordingElement(selector, writes);
+    };
+
+    const document = {
+        getElementById: id => lookup('#' + id),
+        querySelector: lookup,
+        querySelectorAll: () => [],
+        createElement: () => new RecordingElement('(detached)', new Map()),
+        addEventListener() {},
+        documentElement: new RecordingElement('(root)', new Map()),
+        body: new RecordingElement('(body)', new Map())
+    };
+
+    const storage = { getItem: () => null, setItem() {}, removeItem() {} };
+
+    const context = {
+        document,
+        localStorage: storage,
+        history: { replaceState() {}, pushState() {} },
+        location: { hash: '', search: '', href: '' },
+        navigator: { clipboard: { writeText: () => Promise.resolve() } },
+        console,
+        setTimeout,
+        clearTimeout,
+        alert() {}
+    };
+    context.window = context;
+    return vm.createContext(context);
+}
+
+// ============================================================================
+// VIEWER MARKUP HELPERS
+// ============================================================================
+
+/**
+ * Split the viewer into markup and its inline script
+ */
+function loadViewer(viewerPath) {
+    const html = fs.readFileSync(viewerPath, 'utf8');
+    const start = html.lastIndexOf('<script>');
+    const end = html.lastIndexOf('</script>');
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error('Could not find the viewer script in ' + viewerPath);
+    }
+    return { html, markup: html.slice(0, start), script: html.slice(start + '<script>'.length, end) };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a selector path into opening-tag patterns, one per step, or null when a
+ * step is not a supported shape: #id, .class, [attr="value"] or a tag name
+ */
+function parseSelector(selector) {
+    const steps = selector.trim().split(/\s+/);
+    const patterns = steps.map(step => {
+        let attribute;
+        let match;
+        if ((match = /^#([\w-]+)$/.exec(step))) {
+            attribute = 'id="' + escapeRegExp(match[1]) + '"';
+        } else if ((match = /^\.([\w-]+)$/.exec(step))) {
+            attribute = 'class="(?:[^"]*\\s)?' + escapeRegExp(match[1]) + '(?:\\s[^"]*)?"';
+        } else if ((match = /^\[([\w-]+)="([^"]*)"\]$/.exec(step))) {
+            attribute = escapeRegExp(match[1]) + '="' + escapeRegExp(match[2]) + '"';
+        } else if ((match = /^([a-zA-Z][a-zA-Z0-9]*)$/.exec(step))) {
+            return new RegExp('<(' + match[1] + ')(?=[\\s>])[^>]*>', 'gi');
+        } else {
+            return null;
+        }
+        return new RegExp('<([a-zA-Z][a-zA-Z0-9]*)(?=[\\s>])[^>]*\\s' + attribute + '[^>]*>', 'g');
+    });
+    return patterns.includes(null) ? null : patterns;
+}
+
+/**
+ * Index of the tag that closes the element whose content starts at `from`
+ */
+function findClosingTag(html, tag, from) {
+    const pattern = new RegExp('<(/?)' + tag + '(?=[\\s>/])[^>]*>', 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html))) {
+        if (match[1]) {
+            depth--;
+            if (depth === 0) return match.index;
+        } else if (!match[0].endsWith('/>')) {
+            depth++;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Locate the first element matching a selector path, each step searched within
+ * the previous match: { tag, start, contentStart, contentEnd }, or null
+ */
+function findElement(html, selector) {
+    const patterns = parseSelector(selector);
+    if (!patterns) return null;
+
+    let element = { contentStart: 0, contentEnd: html.length };
+    for (const pattern of patterns) {
+        pattern.lastIndex = element.contentStart;
+        const match = pattern.exec(html);
+        if (!match || match.index >= element.contentEnd) return null;
+
+        const tag = match[1].toLowerCase();
+        const contentStart = match.index + match[0].length;
+        const contentEnd = findClosingTag(html, tag, contentStart);
+        if (contentEnd === -1) throw new Error('Viewer markup has no closing tag for ' + selector);
+        element = { tag, start: match.index, contentStart, contentEnd };
+    }
+    return element;
+}
+
+/**
+ * Apply recorded writes to the viewer markup, replacing each element's content
+ * Throws on a write that can't be placed, so a renderer's output can't go missing
+ */
+function applyWrites(html, writes) {
+    writes.forEach((write, selector) => {
+        const content = write.type === 'html' ? write.value : escapeText(write.value);
+        // Search the markup only, not the templates in the viewer script
+        const markup = html.slice(0, html.lastIndexOf('<script>'));
+        if (!parseSelector(selector)) {
+            throw new Error('Cannot place rendered content: unsupported selector "' + selector + '"');
+        }
+        const element = findElement(markup, selector);
+        if (!element) {
+            throw new Error('Cannot place rendered content: the viewer markup has no ' + selector);
+        }
+        html = html.slice(0, element.contentStart) + content + html.slice(element.contentEnd);
+    });
+    return html;
+}
+
+// ============================================================================
+// REPORT GENERATION
+// ============================================================================
+
+/**
+ * Render a DeviceDNA data object to a complete HTML document
+ */
+function renderHtmlReport(data, viewerPath) {
+    const viewer = loadViewer(viewerPath || VIEWER_PATH);
+    const writes = new Map();
+    const context = createRecordingContext(writes, viewer.markup);
+
+    vm.runInContext(viewer.script, context, { filename: 'DeviceDNA-Viewer.html' });
+
+    context.__data = data;
+    vm.runInContext('deviceData = __data; renderReportContent(deviceData);', context);
+
+    let html = applyWrites(viewer.html, writes);
+
+    // Show the report instead of the file picker
+    html = html.replace('<div id="file-picker-overlay">', '<div id="file-picker-overlay" style="display:none">');
+    html = html.replace('<div id="report-container" style="display:none">', '<div id="report-container">');
+
+    // Without JavaScript, show every tab and section so the report still reads top to bottom
+    const noScriptStyle = '<noscript><style>' +
+        '.tab-panel[hidden] { display: block !important; } ' +
+        '.section.collapsed .section-content { display: block !important; } ' +
+        '.tab-bar, .tab-mobile-select, .toolbar, .nav-actions { display: none !important; }' +
+        '</style></noscript>\n';
+    html = html.replace('</head>', noScriptStyle + '</head>');
+
+    // Embed the data so the viewer script re-renders it interactively on load
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    const embedded = '<script type="application/json" id="devicedna-embedded-data">' + json + '</script>\n    ';
+    const scriptAt = html.lastIndexOf('<script>');
+    html = html.slice(0, scriptAt) + embedded + html.slice(scriptAt);
+
+    const deviceName = data.deviceInfo?.name;
+    if (deviceName) {
+        html = html.replace(/<title>[\s\S]*?<\/title>/, '<title>DeviceDNA Report - ' + escapeText(deviceName) + '</title>');
+    }
+
+    return html;
+}
+
+function main(argv) {
+    const [inputPath, outputArg] = argv;
+    if (!inputPath || inputPath === '-h' || inputPath === '--help') {
+        console.log('Usage: node DeviceDNA-Render.js <input.json> [output.html]');
+        console.log('Writes a self-contained, pre-rendered DeviceDNA HTML report.');
+        return inputPath ? 0 : 1;
+    }
+
+    let data;
+    try {
+        // Strip a UTF-8 BOM (PowerShell 5.1 writes one with -Encoding UTF8)
+        data = JSON.parse(fs.readFileSync(inputPath, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (err) {
+        console.error('Failed to read ' + inputPath + ': ' + err.message);
+        return 1;
+    }
+
+    if (!data || (!data.deviceInfo && !data.intune && !data.groupPolicy)) {
+        console.error(inputPath + ' does not appear to be a DeviceDNA JSON file.');
+        return 1;
+    }
+
+    const outputPath = outputArg || inputPath.replace(/\.json$/i, '') + '.html';
+
+    try {
+        fs.writeFileSync(outputPath, renderHtmlReport(data), 'utf8');
+    } catch (err) {
+        console.error('Failed to render report: ' + err.message);
+        return 1;
+    }
+
+    console.log('Report written to ' + outputPath);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { renderHtmlReport, loadViewer, createRecordingContext };
@@ -38,6 +38,9 @@ $script:Credential = $null
 # Group name cache for resolving group IDs to display names
 $script:GroupNameCache = @{}
 
+# Settings Catalog category name cache (categoryId -> display name)
+$script:SettingsCategoryCache = @{}
+
 # Execution timing
 $script:StartTime = $null
 $script:EndTime = $null
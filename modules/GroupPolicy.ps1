@@ -474,6 +474,7 @@ function ConvertFrom-GPResultXml {
                 guid           = $null
                 linkLocation   = $null
                 status         = "Unknown"
+                filterReason   = $null
                 securityFilter = $null
                 wmiFilter      = $null
                 settings       = @()
@@ -555,6 +556,39 @@ function ConvertFrom-GPResultXml {
             return $gpo
         }
 
+        # Helper function to decide whether a GPO applied and, if not, why
+        # Reasons follow gpresult's filtering wording
+        $classifyGPO = {
+            param($gpoNode)
+
+            $filterAllowed = $gpoNode.FilterAllowed
+            $accessDenied = $gpoNode.AccessDenied
+            $isFiltered = $gpoNode.IsFiltered
+            $enabled = $gpoNode.Enabled
+            $link = @($gpoNode.Link)[0]
+
+            if ($accessDenied -eq $true -or $accessDenied -eq 'true') {
+                return @{ status = "Denied"; reason = "Security filtering" }
+            }
+            if ($filterAllowed -eq $false -or $filterAllowed -eq 'false') {
+                return @{ status = "Filtered"; reason = "WMI filter" }
+            }
+            if ($link -and ($link.Enabled -eq $false -or $link.Enabled -eq 'false')) {
+                return @{ status = "Filtered"; reason = "Disabled link" }
+            }
+            if ($enabled -eq $false -or $enabled -eq 'false') {
+                return @{ status = "Filtered"; reason = "Disabled GPO" }
+            }
+            # Not applied and no client-side extensions: the GPO has no settings
+            if ($link -and "$($link.AppliedOrder)" -eq '0' -and -not $gpoNode.ExtensionName) {
+                return @{ status = "Filtered"; reason = "Empty" }
+            }
+            if ($isFiltered -eq $true -or $isFiltered -eq 'true') {
+                return @{ status = "Filtered"; reason = "Filtered" }
+            }
+            return @{ status = "Applied"; reason = $null }
+        }
+
         # Helper function to extract settings from extension data
         $extractSettings = {
             param($extensionNode, $gpoGuid)
@@ -696,21 +730,14 @@ function ConvertFrom-GPResultXml {
                     $gpoData = & $extractGPOData -gpoNode $gpoNode -nsManager $nsManager
 
                     # Determine status based on filtering
-                    $filterAllowed = $gpoNode.FilterAllowed
-                    $accessDenied = $gpoNode.AccessDenied
-                    $isFiltered = $gpoNode.IsFiltered
-
-                    if ($accessDenied -eq $true -or $accessDenied -eq 'true') {
-                        $gpoData.status = "Denied"
-                        $result.computerConfiguration.deniedGPOs += $gpoData
-                    }
-                    elseif ($filterAllowed -eq $false -or $filterAllowed -eq 'false' -or $isFiltered -eq $true) {
-                        $gpoData.status = "Filtered"
-                        $result.computerConfiguration.filteredGPOs += $gpoData
-                    }
-                    else {
-                        $gpoData.status = "Applied"
-                        $result.computerConfiguration.appliedGPOs += $gpoData
+                    $classification = & $classifyGPO -gpoNode $gpoNode
+                    $gpoData.status = $classification.status
+                    $gpoData.filterReason = $classification.reason
+
+                    switch ($classification.status) {
+                        "Denied"   { $result.computerConfiguration.deniedGPOs += $gpoData }
+                        "Filtered" { $result.computerConfiguration.filteredGPOs += $gpoData }
+                        default    { $result.computerConfiguration.appliedGPOs += $gpoData }
                     }
                 }
             }
@@ -757,21 +784,14 @@ function ConvertFrom-GPResultXml {
                     $gpoData = & $extractGPOData -gpoNode $gpoNode -nsManager $nsManager
 
                     # Determine status
-                    $filterAllowed = $gpoNode.FilterAllowed
-                    $accessDenied = $gpoNode.AccessDenied
-                    $isFiltered = $gpoNode.IsFiltered
-
-                    if ($accessDenied -eq $true -or $accessDenied -eq 'true') {
-                        $gpoData.status = "Denied"
-                        $result.userConfiguration.deniedGPOs += $gpoData
-                    }
-                    elseif ($filterAllowed -eq $false -or $filterAllowed -eq 'false' -or $isFiltered -eq $true) {
-                        $gpoData.status = "Filtered"
-                        $result.userConfiguration.filteredGPOs += $gpoData
-                    }
-                    else {
-                        $gpoData.status = "Applied"
-                        $result.userConfiguration.appliedGPOs += $gpoData
+                    $classification = & $classifyGPO -gpoNode $gpoNode
+                    $gpoData.status = $classification.status
+                    $gpoData.filterReason = $classification.reason
+
+                    switch ($classification.status) {
+                        "Denied"   { $result.userConfiguration.deniedGPOs += $gpoData }
+                        "Filtered" { $result.userConfiguration.filteredGPOs += $gpoData }
+                        default    { $result.userConfiguration.appliedGPOs += $gpoData }
                     }
                 }
             }
@@ -551,6 +551,8 @@ function Find-AzureADDevice {
                 IsCompliant                   = $device.isCompliant
                 ApproximateLastSignInDateTime = $device.approximateLastSignInDateTime
                 RegistrationDateTime          = $device.registrationDateTime
+                # Set when the device was provisioned through an Autopilot profile
+                EnrollmentProfileName         = $device.enrollmentProfileName
             }
         }
         else {
@@ -600,7 +602,7 @@ function Get-IntuneDevice {
 
         # Prefer searching by Azure AD Device ID for accuracy
         if (-not [string]::IsNullOrEmpty($AzureADDeviceId)) {
-            $uri = "https://graph.microsoft.com/beta/deviceManagement/managedDevices?`$filter=azureADDeviceId eq '$AzureADDeviceId'&`$select=id,deviceName,managementState,complianceState,lastSyncDateTime,managementAgent,enrolledDateTime,operatingSystem,osVersion,userPrincipalName,azureADDeviceId"
+            $uri = "https://graph.microsoft.com/beta/deviceManagement/managedDevices?`$filter=azureADDeviceId eq '$AzureADDeviceId'&`$select=id,deviceName,managementState,complianceState,lastSyncDateTime,managementAgent,enrolledDateTime,operatingSystem,osVersion,userPrincipalName,azureADDeviceId,managedDeviceOwnerType,deviceEnrollmentType,autopilotEnrolled,joinType,manufacturer,model,enrollmentProfileName,skuFamily,complianceGracePeriodExpirationDateTime"
             Write-DeviceDNALog -Message "Graph API call: GET managedDevices by azureADDeviceId" -Component "Get-IntuneDevice" -Type 1
             Write-DeviceDNALog -Message "Filter: azureADDeviceId eq '$AzureADDeviceId'" -Component "Get-IntuneDevice" -Type 1 -IsDebug
 
@@ -620,7 +622,7 @@ function Get-IntuneDevice {
         # Fallback to device name search
         if (-not $managedDevice -and -not [string]::IsNullOrEmpty($DeviceName)) {
             Write-DeviceDNALog -Message "Falling back to device name lookup: $DeviceName" -Component "Get-IntuneDevice" -Type 2
-            $uri = "https://graph.microsoft.com/beta/deviceManagement/managedDevices?`$filter=deviceName eq '$DeviceName'&`$select=id,deviceName,managementState,complianceState,lastSyncDateTime,managementAgent,enrolledDateTime,operatingSystem,osVersion,userPrincipalName,azureADDeviceId"
+            $uri = "https://graph.microsoft.com/beta/deviceManagement/managedDevices?`$filter=deviceName eq '$DeviceName'&`$select=id,deviceName,managementState,complianceState,lastSyncDateTime,managementAgent,enrolledDateTime,operatingSystem,osVersion,userPrincipalName,azureADDeviceId,managedDeviceOwnerType,deviceEnrollmentType,autopilotEnrolled,joinType,manufacturer,model,enrollmentProfileName,skuFamily,complianceGracePeriodExpirationDateTime"
 
             $queryStart = Get-Date
             $response = Invoke-MgGraphRequest -Uri $uri -Method GET -ErrorAction Stop
@@ -653,6 +655,15 @@ function Get-IntuneDevice {
                 OperatingSystem   = $managedDevice.operatingSystem
                 OSVersion         = $managedDevice.osVersion
                 UserPrincipalName = $managedDevice.userPrincipalName
+                OwnerType         = $managedDevice.managedDeviceOwnerType
+                EnrollmentType    = $managedDevice.deviceEnrollmentType
+                AutopilotEnrolled = $managedDevice.autopilotEnrolled
+                JoinType          = $managedDevice.joinType
+                Manufacturer      = $managedDevice.manufacturer
+                Model             = $managedDevice.model
+                EnrollmentProfileName = $managedDevice.enrollmentProfileName
+                SkuFamily         = $managedDevice.skuFamily
+                ComplianceGracePeriodExpirationDateTime = $managedDevice.complianceGracePeriodExpirationDateTime
             }
         }
         else {
@@ -820,6 +831,88 @@ function Resolve-GroupDisplayNames {
     return $resolved
 }
 
+function Resolve-SettingsCategoryName {
+    <#
+    .SYNOPSIS
+        Resolves a Settings Catalog category ID to its display name with caching.
+    .DESCRIPTION
+        Settings definitions only carry a categoryId. Category names are looked up
+        once per run and cached in $script:SettingsCategoryCache; failures are cached
+        as $null so the viewer falls back to its own category mapping.
+    .PARAMETER CategoryId
+        The categoryId GUID from a settings definition.
+    .OUTPUTS
+        Category display name, or $null if it could not be resolved.
+    #>
+    [CmdletBinding()]
+    param(
+        [string]$CategoryId
+    )
+
+    if ([string]::IsNullOrEmpty($CategoryId)) { return $null }
+    if ($script:SettingsCategoryCache.ContainsKey($CategoryId)) {
+        return $script:SettingsCategoryCache[$CategoryId]
+    }
+
+    $name = $null
+    try {
+        $category = Invoke-GraphRequest -Uri "https://graph.microsoft.com/beta/deviceManagement/configurationCategories('$CategoryId')" -Method GET
+        if ($category) {
+            $name = if ($category -is [hashtable]) { $category['displayName'] } else { $category.displayName }
+        }
+    }
+    catch {
+        Write-DeviceDNALog -Message "Could not resolve settings category $CategoryId : $($_.Exception.Message)" -Component "Resolve-SettingsCategoryName" -Type 2
+    }
+
+    $script:SettingsCategoryCache[$CategoryId] = $name
+    return $name
+}
+
+function Format-RemediationSchedule {
+    <#
+    .SYNOPSIS
+        Describes a proactive remediation assignment's run schedule.
+    .DESCRIPTION
+        Turns a deviceHealthScriptAssignment runSchedule (hourly, daily or run once)
+        into text such as "Every 4 hours", "Daily at 02:00 (UTC)" or "Once on 2026-10-01 at 09:00".
+        Ref: https://learn.microsoft.com/graph/api/resources/intune-devices-devicehealthscriptrunschedule
+    .PARAMETER RunSchedule
+        The runSchedule object from the assignment.
+    .OUTPUTS
+        String, or $null when no schedule is set.
+    #>
+    [CmdletBinding()]
+    param(
+        [Parameter()]
+        $RunSchedule
+    )
+
+    if (-not $RunSchedule) { return $null }
+
+    $interval = if ($RunSchedule.interval) { [int]$RunSchedule.interval } else { 1 }
+    $time = if ($RunSchedule.time) { ([string]$RunSchedule.time).Substring(0, [Math]::Min(5, ([string]$RunSchedule.time).Length)) } else { $null }
+    $utc = if ($RunSchedule.useUtc) { ' (UTC)' } else { '' }
+
+    switch ($RunSchedule.'@odata.type') {
+        '#microsoft.graph.deviceHealthScriptHourlySchedule' {
+            if ($interval -eq 1) { return 'Every hour' }
+            return "Every $interval hours"
+        }
+        '#microsoft.graph.deviceHealthScriptDailySchedule' {
+            $every = if ($interval -eq 1) { 'Daily' } else { "Every $interval days" }
+            if ($time) { return "$every at $time$utc" }
+            return $every
+        }
+        '#microsoft.graph.deviceHealthScriptRunOnceSchedule' {
+            $on = if ($RunSchedule.date) { " on $($RunSchedule.date)" } else { '' }
+            $at = if ($time) { " at $time$utc" } else { '' }
+            return "Once$on$at"
+        }
+        default { return ($RunSchedule.'@odata.type' -replace '#microsoft\.graph\.') }
+    }
+}
+
 function Get-ProactiveRemediations {
     <#
     .SYNOPSIS
@@ -829,6 +922,7 @@ function Get-ProactiveRemediations {
         Endpoint: /beta/deviceManagement/deviceHealthScripts
     .OUTPUTS
         Array of remediation objects with: Id, DisplayName, Description, Publisher, RunAsAccount, Assignments[]
+        (each assignment carries its run Schedule as text)
     #>
     [CmdletBinding()]
     param()
@@ -875,6 +969,7 @@ function Get-ProactiveRemediations {
                     GroupId    = $target.groupId
                     FilterId   = $target.deviceAndAppManagementAssignmentFilterId
                     FilterType = $target.deviceAndAppManagementAssignmentFilterType
+                    Schedule   = Format-RemediationSchedule -RunSchedule $_.runSchedule
                 }
             })
 
@@ -1273,6 +1368,120 @@ function Get-AppInstallStatuses {
         return @()
     }
 }
+
+function Format-Win32AppRule {
+    <#
+    .SYNOPSIS
+        Describes a Win32 app detection or requirement rule.
+    .DESCRIPTION
+        Handles both the rules collection (win32LobAppFileSystemRule, RegistryRule,
+        ProductCodeRule, PowerShellScriptRule with ruleType detection/requirement) and the
+        older detectionRules/requirementRules types, e.g.
+        "C:\Program Files\Zoom\bin\Zoom.exe version greaterThanOrEqual 6.0".
+        Ref: https://learn.microsoft.com/graph/api/resources/intune-apps-win32lobapprule
+    .PARAMETER Rule
+        The rule object from the app.
+    .PARAMETER Kind
+        'detection' or 'requirement' when the rule does not carry ruleType.
+    .OUTPUTS
+        Hashtable with kind, type (File, Registry, MSI, Script) and description.
+    #>
+    [CmdletBinding()]
+    param(
+        [Parameter(Mandatory = $true)]
+        $Rule,
+
+        [Parameter()]
+        [string]$Kind
+    )
+
+    $odataType = [string]$Rule.'@odata.type'
+    $ruleKind = if ($Rule.ruleType) { [string]$Rule.ruleType } else { $Kind }
+    $operation = if ($Rule.operationType) { $Rule.operationType } else { $Rule.detectionType }
+    $value = if ($null -ne $Rule.comparisonValue) { $Rule.comparisonValue } else { $Rule.detectionValue }
+    $comparison = if ($Rule.operator -and $Rule.operator -ne 'notConfigured' -and $null -ne $value) { " $($Rule.operator) $value" } else { '' }
+    $bitness = if ($Rule.check32BitOn64System) { ' (32-bit view)' } else { '' }
+
+    $type = 'Other'
+    $description = $odataType -replace '#microsoft\.graph\.'
+
+    # A rule that cannot be described must not cost the app its other data
+    try {
+        if ($odataType -like '*FileSystem*') {
+            $type = 'File'
+            # Join-Path throws on an empty path, so join by hand
+            $filePath = @(([string]$Rule.path).TrimEnd('\'), [string]$Rule.fileOrFolderName) | Where-Object { $_ }
+            $description = "$($filePath -join '\') $operation$comparison$bitness"
+        }
+        elseif ($odataType -like '*Registry*') {
+            $type = 'Registry'
+            $valueName = if ($Rule.valueName) { "\$($Rule.valueName)" } else { '' }
+            $description = "$($Rule.keyPath)$valueName $operation$comparison$bitness"
+        }
+        elseif ($odataType -like '*ProductCode*') {
+            $type = 'MSI'
+            $version = if ($Rule.productVersion -and $Rule.productVersionOperator -ne 'notConfigured') { " version $($Rule.productVersionOperator) $($Rule.productVersion)" } else { '' }
+            $description = "Product code $($Rule.productCode)$version"
+        }
+        elseif ($odataType -like '*PowerShellScript*') {
+            $type = 'Script'
+            $name = if ($Rule.displayName) { $Rule.displayName } else { 'PowerShell script' }
+            $output = if ($operation -and $operation -ne 'notConfigured') { " output $operation$comparison" } else { '' }
+            $description = "$name$output"
+        }
+    }
+    catch {
+        Write-DeviceDNALog -Message "Could not describe $description rule: $($_.Exception.Message)" -Component "Format-Win32AppRule" -Type 2
+    }
+
+    return @{
+        kind        = $ruleKind
+        type        = $type
+        description = $description.Trim()
+    }
+}
+
+function Get-IntuneAppRelationships {
+    <#
+    .SYNOPSIS
+        Collects an app's dependency and supersedence relationships.
+    .DESCRIPTION
+        Queries /mobileApps/{id}/relationships. targetType child means this app depends on
+        or supersedes the target; parent means the target depends on or supersedes this app.
+        Ref: https://learn.microsoft.com/graph/api/resources/intune-apps-mobileapprelationship
+    .PARAMETER AppId
+        The Intune app id.
+    .OUTPUTS
+        Array of hashtables with: relationship (Dependency/Supersedence), direction (child/parent),
+        targetId, targetDisplayName, detail (dependency or supersedence type).
+    #>
+    [CmdletBinding()]
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$AppId
+    )
+
+    try {
+        $uri = "https://graph.microsoft.com/beta/deviceAppManagement/mobileApps/$AppId/relationships"
+        $response = Invoke-MgGraphRequest -Uri $uri -Method GET -ErrorAction Stop
+
+        return @($response.value | Where-Object { $_ } | ForEach-Object {
+            $isSupersedence = $_.'@odata.type' -like '*Supersedence*'
+            @{
+                relationship      = if ($isSupersedence) { 'Supersedence' } else { 'Dependency' }
+                direction         = $_.targetType
+                targetId          = $_.targetId
+                targetDisplayName = $_.targetDisplayName
+                detail            = if ($isSupersedence) { $_.supersedenceType } else { $_.dependencyType }
+            }
+        })
+    }
+    catch {
+        Write-DeviceDNALog -Message "App relationships query failed for ${AppId}: $($_.Exception.Message)" -Component "Get-IntuneAppRelationships" -Type 2
+        return @()
+    }
+}
+
 function Get-IntuneApplications {
     <#
     .SYNOPSIS
@@ -1281,7 +1490,8 @@ function Get-IntuneApplications {
         Retrieves mobile apps from Intune using $expand=assignments to get all data
         in a single call (matching working Get-DeviceAppAssignments.ps1 implementation).
     .OUTPUTS
-        Array of application objects with: Id, DisplayName, AppType, Publisher, Assignments[]
+        Array of application objects with: Id, DisplayName, AppType, Publisher, Assignments[],
+        and for Win32 apps InstallContext, RestartBehavior, MinimumOS and Rules[]
     .EXAMPLE
         $apps = Get-IntuneApplications
     #>
@@ -1359,6 +1569,16 @@ function Get-IntuneApplications {
                 }
             })
 
+            # Win32 detection/requirement rules: the rules collection, or the older separate lists
+            $rules = @()
+            if ($app.rules) {
+                $rules = @($app.rules | Where-Object { $_ } | ForEach-Object { Format-Win32AppRule -Rule $_ })
+            }
+            else {
+                $rules = @(@($app.detectionRules | Where-Object { $_ } | ForEach-Object { Format-Win32AppRule -Rule $_ -Kind 'detection' }) +
+                    @($app.requirementRules | Where-Object { $_ } | ForEach-Object { Format-Win32AppRule -Rule $_ -Kind 'requirement' }))
+            }
+
             # Get version - different app types store version in different properties
             $appVersion = $app.displayVersion
             if (-not $appVersion) { $appVersion = $app.version }
@@ -1376,6 +1596,11 @@ function Get-IntuneApplications {
                 LastModifiedDateTime = $app.lastModifiedDateTime
                 Assignments          = $assignments
                 IsAssigned           = ($assignments.Count -gt 0)
+                InstallContext       = $app.installExperience.runAsAccount
+                RestartBehavior      = $app.installExperience.deviceRestartBehavior
+                MinimumOS            = $app.minimumSupportedWindowsRelease
+                Rules                = $rules
+                HasRelationships     = (($app.dependentAppCount -gt 0) -or ($app.supersedingAppCount -gt 0) -or ($app.supersededAppCount -gt 0))
             }
         })
 
@@ -1399,9 +1624,12 @@ function Get-CompliancePolicies {
         Collects Intune compliance policies with their assignments.
     .DESCRIPTION
         Retrieves device compliance policies from Intune using $expand=assignments
-        (matching working Get-GraphPolicyData.ps1 implementation).
+        (matching working Get-GraphPolicyData.ps1 implementation). The scheduled
+        "mark device noncompliant" action gives the grace period, and the policy's
+        configured properties are kept as the expected setting values.
     .OUTPUTS
-        Array of compliance policy objects with: Id, DisplayName, Platform, Assignments[]
+        Array of compliance policy objects with: Id, DisplayName, Platform, Assignments[],
+        Settings (property -> configured value), GracePeriodHours
     .EXAMPLE
         $policies = Get-CompliancePolicies
     #>
@@ -1413,7 +1641,7 @@ function Get-CompliancePolicies {
         Write-DeviceDNALog -Message "Starting compliance policy collection" -Component "Get-CompliancePolicies" -Type 1
 
         # Use beta endpoint with $expand=assignments
-        $uri = 'https://graph.microsoft.com/beta/deviceManagement/deviceCompliancePolicies?$expand=assignments&$top=999'
+        $uri = 'https://graph.microsoft.com/beta/deviceManagement/deviceCompliancePolicies?$expand=assignments,scheduledActionsForRule($expand=scheduledActionConfigurations)&$top=999'
         Write-DeviceDNALog -Message "Graph API call: GET deviceCompliancePolicies with assignments" -Component "Get-CompliancePolicies" -Type 1
 
         $queryStart = Get-Date
@@ -1464,6 +1692,21 @@ function Get-CompliancePolicies {
                 }
             })
 
+            # Configured values: every property that is not metadata, an expansion or unset
+            $metadataKeys = @('id', 'displayName', 'description', 'createdDateTime', 'lastModifiedDateTime', 'version',
+                'roleScopeTagIds', 'assignments', 'scheduledActionsForRule')
+            $settings = @{}
+            foreach ($key in @($policy.Keys)) {
+                if ($key -like '*@odata*' -or $key -in $metadataKeys -or $null -eq $policy[$key]) { continue }
+                $settings[$key] = $policy[$key]
+            }
+
+            # Grace period: hours before the "block" (mark noncompliant) action runs
+            $gracePeriodHours = @($policy.scheduledActionsForRule | Where-Object { $_ } |
+                ForEach-Object { $_.scheduledActionConfigurations } |
+                Where-Object { $_ -and $_.actionType -eq 'block' } |
+                ForEach-Object { [int]$_.gracePeriodHours } | Sort-Object | Select-Object -First 1)
+
             [PSCustomObject]@{
                 Id                   = $policy.id
                 DisplayName          = $policy.displayName
@@ -1473,6 +1716,8 @@ function Get-CompliancePolicies {
                 CreatedDateTime      = $policy.createdDateTime
                 LastModifiedDateTime = $policy.lastModifiedDateTime
                 Assignments          = $assignments
+                Settings             = $settings
+                GracePeriodHours     = if ($gracePeriodHours.Count -gt 0) { $gracePeriodHours[0] } else { $null }
             }
         })
 
@@ -1593,6 +1838,59 @@ function Get-DeviceCompliancePolicyStates {
     }
 }
 
+function Get-DeviceComplianceSettingStates {
+    <#
+    .SYNOPSIS
+        Gets the per-setting compliance results for a specific managed device.
+    .DESCRIPTION
+        Retrieves /managedDevices/{id}/deviceCompliancePolicyStates, which lists each evaluated
+        setting of each compliance policy with its state, current value and error.
+        Ref: https://learn.microsoft.com/graph/api/resources/intune-devices-devicecompliancepolicysettingstate
+    .PARAMETER IntuneDeviceId
+        The Intune managed device ID (from managedDevice.id).
+    .OUTPUTS
+        Hashtable keyed by policy ID. Each value is an array of setting states with:
+        Setting, SettingName, State, CurrentValue, ErrorCode, ErrorDescription, UserPrincipalName
+    .EXAMPLE
+        $settingStates = Get-DeviceComplianceSettingStates -IntuneDeviceId "abc123-def456"
+    #>
+    [CmdletBinding()]
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$IntuneDeviceId
+    )
+
+    $settingStatesByPolicy = @{}
+    try {
+        $uri = "https://graph.microsoft.com/beta/deviceManagement/managedDevices/$IntuneDeviceId/deviceCompliancePolicyStates"
+        Write-DeviceDNALog -Message "Graph API call: GET deviceCompliancePolicyStates for device $IntuneDeviceId" -Component "Get-DeviceComplianceSettingStates" -Type 1
+
+        $response = Invoke-MgGraphRequest -Uri $uri -Method GET -ErrorAction Stop
+        foreach ($policyState in @($response.value)) {
+            if (-not $policyState -or -not $policyState.id) { continue }
+            $settingStatesByPolicy[$policyState.id] = @($policyState.settingStates | Where-Object { $_ } | ForEach-Object {
+                [PSCustomObject]@{
+                    Setting           = $_.setting
+                    SettingName       = $_.settingName
+                    State             = $_.state
+                    CurrentValue      = $_.currentValue
+                    ErrorCode         = $_.errorCode
+                    ErrorDescription  = $_.errorDescription
+                    UserPrincipalName = $_.userPrincipalName
+                }
+            })
+        }
+
+        Write-DeviceDNALog -Message "Compliance setting states: $($settingStatesByPolicy.Count) policies" -Component "Get-DeviceComplianceSettingStates" -Type 1
+    }
+    catch {
+        Write-DeviceDNALog -Message "Compliance setting state query failed: $($_.Exception.Message)" -Component "Get-DeviceComplianceSettingStates" -Type 2
+        $script:CollectionIssues += @{ severity = "Warning"; phase = "Intune"; message = "Compliance setting states unavailable: $($_.Exception.Message)" }
+    }
+
+    return $settingStatesByPolicy
+}
+
 function Get-AssignmentFilters {
     <#
     .SYNOPSIS
@@ -1672,7 +1970,8 @@ function Get-ProfileSettings {
     .PARAMETER PolicyType
         The type of policy.
     .OUTPUTS
-        Array of setting objects with: name, value, dataType
+        Array of setting objects with: name, value, dataType (Settings Catalog adds
+        definitionId, valueDisplayName, description, categoryId, category)
     .EXAMPLE
         $settings = Get-ProfileSettings -PolicyId "abc123" -PolicyType "Settings Catalog"
     #>
@@ -1758,11 +2057,35 @@ function Get-ProfileSettings {
 
                         $defId = if ($settingInstance -is [hashtable]) { $settingInstance['settingDefinitionId'] } else { $settingInstance.settingDefinitionId }
 
+                        # Choice values are option item IDs — keep the option's display name and the
+                        # definition's description/category so the viewer can decode them offline
+                        $description = $null
+                        $categoryId = $null
+                        $valueDisplayName = $null
+                        if ($definition) {
+                            $description = if ($definition -is [hashtable]) { $definition['description'] } else { $definition.description }
+                            $categoryId = if ($definition -is [hashtable]) { $definition['categoryId'] } else { $definition.categoryId }
+                            $options = if ($definition -is [hashtable]) { $definition['options'] } else { $definition.options }
+                            if ($options -and $null -ne $settingValue) {
+                                foreach ($option in @($options)) {
+                                    $itemId = if ($option -is [hashtable]) { $option['itemId'] } else { $option.itemId }
+                                    if ($itemId -eq $settingValue) {
+                                        $valueDisplayName = if ($option -is [hashtable]) { $option['displayName'] } else { $option.displayName }
+                                        break
+                                    }
+                                }
+                            }
+                        }
+
                         $settings += [PSCustomObject]@{
-                            name         = $settingName
-                            value        = $settingValue
-                            dataType     = $dataType
-                            definitionId = $defId
+                            name             = $settingName
+                            value            = $settingValue
+                            valueDisplayName = $valueDisplayName
+                            dataType         = $dataType
+                            definitionId     = $defId
+                            description      = $description
+                            categoryId       = $categoryId
+                            category         = Resolve-SettingsCategoryName -CategoryId $categoryId
                         }
                     }
                 }
@@ -2126,6 +2449,7 @@ function Get-IntuneData {
                 isCompliant                   = $azureADDevice.IsCompliant
                 approximateLastSignInDateTime = $azureADDevice.ApproximateLastSignInDateTime
                 registrationDateTime          = $azureADDevice.RegistrationDateTime
+                enrollmentProfileName         = $azureADDevice.EnrollmentProfileName
             }
         }
 
@@ -2142,6 +2466,15 @@ function Get-IntuneData {
                 operatingSystem   = $managedDevice.OperatingSystem
                 osVersion         = $managedDevice.OSVersion
                 userPrincipalName = $managedDevice.UserPrincipalName
+                ownerType         = $managedDevice.OwnerType
+                enrollmentType    = $managedDevice.EnrollmentType
+                autopilotEnrolled = $managedDevice.AutopilotEnrolled
+                joinType          = $managedDevice.JoinType
+                manufacturer      = $managedDevice.Manufacturer
+                model             = $managedDevice.Model
+                enrollmentProfileName = $managedDevice.EnrollmentProfileName
+                skuFamily         = $managedDevice.SkuFamily
+                complianceGracePeriodExpirationDateTime = $managedDevice.ComplianceGracePeriodExpirationDateTime
             }
         }
 
@@ -2459,13 +2792,13 @@ function Get-IntuneData {
                     $script:CollectionIssues += @{ severity = "Error"; phase = "Intune"; message = "Error querying device configuration status report: $($_.Exception.Message)" }
                 }
 
-                # Collect per-setting error details for failed profiles via Reports API
+                # Collect per-setting error details for failed and conflicting profiles via Reports API
                 # Uses ADMXSettingsByDeviceByPolicy export (replaces deprecated deviceConfigurationStates endpoint)
                 # Note: This report covers ADMX/Settings Catalog profiles; other types degrade gracefully with empty settingStates
                 try {
-                    $errorStates = @($deploymentStates | Where-Object { $_.State -eq 5 })
+                    $errorStates = @($deploymentStates | Where-Object { $_.State -eq 5 -or $_.State -eq 6 })
                     if ($errorStates.Count -gt 0) {
-                        Write-StatusMessage "Collecting error details for $($errorStates.Count) failed configuration profile(s)..." -Type Progress
+                        Write-StatusMessage "Collecting error details for $($errorStates.Count) failed or conflicting configuration profile(s)..." -Type Progress
                         Write-DeviceDNALog -Message "Using Reports API: ADMXSettingsByDeviceByPolicy for per-setting error details" -Component "Get-IntuneData" -Type 1
 
                         # Create export job for per-setting status filtered by device
@@ -2584,6 +2917,7 @@ function Get-IntuneData {
                         1 { 'Not Applicable' }
                         2 { 'Succeeded' }
                         5 { 'Error' }
+                        6 { 'Conflict' }
                         default { "Unknown ($($state.State))" }
                     }
 
@@ -2668,8 +3002,14 @@ function Get-IntuneData {
                     version          = $app.Version
                     targetingStatus  = $targeting.targetingStatus
                     intent           = $targeting.intent
+                    assignments      = @($app.Assignments)
                     targetGroups     = $targeting.targetGroups
                     assignmentFilter = $targeting.assignmentFilter
+                    installContext   = $app.InstallContext
+                    restartBehavior  = $app.RestartBehavior
+                    minimumOS        = $app.MinimumOS
+                    rules            = @($app.Rules)
+                    relationships    = if ($app.HasRelationships) { @(Get-IntuneAppRelationships -AppId $app.Id) } else { @() }
                     installedOnDevice = $false
                 }
             }
@@ -2695,6 +3035,19 @@ function Get-IntuneData {
                         $app.appInstallStateDetails = "Compliance=$($regData.ComplianceState), Enforcement=$($regData.EnforcementState)"
                         $app.installErrorCode = $regData.ErrorCode
                         $app.installedOnDevice = ($regData.InstallState -eq 'Installed')
+                        $app.localState = @{
+                            context          = $regData.Context
+                            complianceState  = $regData.ComplianceState
+                            enforcementState = $regData.EnforcementState
+                            applicability    = $regData.Applicability
+                            desiredState     = $regData.DesiredState
+                            installContext   = $regData.InstallContext
+                            targetingMethod  = $regData.TargetingMethod
+                            detectedVersion  = $regData.DetectedVersion
+                            retryCount       = $regData.RetryCount
+                            retryIndex       = $regData.RetryIndex
+                            lastAttempt      = $regData.LastAttempt
+                        }
                     }
                 }
 
@@ -2720,9 +3073,13 @@ function Get-IntuneData {
 
         # Get device compliance policy states if we have an Intune device ID
         $deviceComplianceStates = @()
+        $complianceSettingStates = @{}
         if (-not [string]::IsNullOrEmpty($resolvedIds.IntuneDeviceId)) {
             Write-StatusMessage "Collecting device compliance policy states..." -Type Progress
             $deviceComplianceStates = Get-DeviceCompliancePolicyStates -IntuneDeviceId $resolvedIds.IntuneDeviceId
+            if ($compliancePolicies.Count -gt 0) {
+                $complianceSettingStates = Get-DeviceComplianceSettingStates -IntuneDeviceId $resolvedIds.IntuneDeviceId
+            }
         }
         else {
             Write-StatusMessage "Skipping device compliance states: Intune device ID unavailable" -Type Warning
@@ -2747,9 +3104,14 @@ function Get-IntuneData {
                     description      = $policy.Description
                     platform         = $policy.Platform
                     targetingStatus  = $targeting.targetingStatus
+                    assignments      = @($policy.Assignments)
                     targetGroups     = $targeting.targetGroups
                     assignmentFilter = $targeting.assignmentFilter
                     complianceState  = $complianceState
+                    lastReportedDateTime = if ($policyState) { $policyState.LastContact } else { $null }
+                    gracePeriodHours = $policy.GracePeriodHours
+                    settings         = $policy.Settings
+                    settingStates    = if ($complianceSettingStates.ContainsKey($policy.Id)) { @($complianceSettingStates[$policy.Id]) } else { @() }
                 }
             }
         }
@@ -2784,23 +3146,48 @@ function Get-IntuneData {
                 $queryDuration = (Get-Date) - $queryStart
                 Write-DeviceDNALog -Message "Device health script states: $($allStates.Count) returned across $pageCount page(s) in $($queryDuration.TotalMilliseconds.ToString('F0'))ms" -Component "Get-IntuneData" -Type 1
 
+                # Script definitions add description, publisher, run-as account and run schedule
+                $scriptDefinitions = @{}
+                if ($allStates.Count -gt 0) {
+                    foreach ($definition in @(Get-ProactiveRemediations)) {
+                        $scriptDefinitions[$definition.Id] = $definition
+                    }
+                }
+
                 foreach ($state in $allStates) {
+                    $definition = $scriptDefinitions[$state.policyId]
+                    $schedule = $null
+                    $targeting = $null
+                    if ($definition) {
+                        $schedule = @($definition.Assignments | Where-Object { $_.Schedule -and $_.TargetType -notlike 'Exclude:*' } | ForEach-Object { $_.Schedule } | Select-Object -Unique) -join '; '
+                        $targeting = & $evaluateTargeting $definition.Assignments $deviceGroupIds
+                    }
+
                     $result.proactiveRemediations += @{
                         id               = $state.policyId
                         displayName      = $state.policyName
-                        description      = $null
-                        publisher        = $null
-                        runAsAccount     = $null
-                        targetingStatus  = 'Targeted'
-                        targetGroups     = @()
-                        assignmentFilter = $null
+                        description      = if ($definition) { $definition.Description } else { $null }
+                        publisher        = if ($definition) { $definition.Publisher } else { $null }
+                        runAsAccount     = if ($definition) { $definition.RunAsAccount } else { $null }
+                        runAs32Bit       = if ($definition) { $definition.RunAs32Bit } else { $null }
+                        schedule         = if ($schedule) { $schedule } else { $null }
+                        # The device reports a state, but the assignments say how it is targeted
+                        # (All Devices, a group, or excluded); without the definition assume Targeted
+                        targetingStatus  = if ($targeting) { $targeting.targetingStatus } else { 'Targeted' }
+                        assignments      = if ($definition) { @($definition.Assignments) } else { @() }
+                        targetGroups     = if ($targeting) { $targeting.targetGroups } else { @() }
+                        assignmentFilter = if ($targeting) { $targeting.assignmentFilter } else { $null }
                         deviceRunState   = @{
                             detectionState                       = $state.detectionState
                             remediationState                     = $state.remediationState
                             lastStateUpdateDateTime              = $state.lastStateUpdateDateTime
+                            expectedStateUpdateDateTime          = $state.expectedStateUpdateDateTime
+                            lastSyncDateTime                     = $state.lastSyncDateTime
                             preRemediationDetectionScriptOutput  = $state.preRemediationDetectionScriptOutput
+                            preRemediationDetectionScriptError   = $state.preRemediationDetectionScriptError
                             remediationScriptError               = $state.remediationScriptError
                             postRemediationDetectionScriptOutput = $state.postRemediationDetectionScriptOutput
+                            postRemediationDetectionScriptError  = $state.postRemediationDetectionScriptError
                         }
                     }
                 }
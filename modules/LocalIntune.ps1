@@ -22,6 +22,10 @@ function Get-LocalIntuneApplications {
         Returns a hashtable keyed by clean app GUID (no _N suffix) for O(1) lookup.
         Each value contains installState (string matching Reporting.ps1 badge logic),
         errorCode, context (Device/User), and raw ComplianceState/EnforcementState codes.
+        The compliance state message also carries the applicability (requirement rule
+        outcome), desired state, install context and detected version; retry values on
+        the app key and the GRS (global re-evaluation schedule) timestamps give the
+        retry count and last attempt time.
 
         Parses both device context (S-1-5-18 and 00000000-0000-0000-0000-000000000000)
         and user context (Azure AD Object IDs) apps. Device context is preferred
@@ -35,7 +39,8 @@ function Get-LocalIntuneApplications {
         Include user-context apps in addition to device-context apps.
     .OUTPUTS
         Hashtable keyed by app GUID. Each value is a hashtable with:
-        InstallState, ErrorCode, Context, ComplianceState, EnforcementState
+        InstallState, ErrorCode, Context, ComplianceState, EnforcementState, Applicability,
+        DesiredState, InstallContext, TargetingMethod, DetectedVersion, RetryCount, RetryIndex, LastAttempt
     .EXAMPLE
         $appMap = Get-LocalIntuneApplications -ComputerName "PC001" -IncludeUserContext
         $status = $appMap["some-guid-here"]
@@ -87,6 +92,22 @@ function Get-LocalIntuneApplications {
 
                 $appSubkeys = Get-ChildItem -Path $sidFolder.PSPath -ErrorAction SilentlyContinue
 
+                # GRS holds one subkey per app hash with the app id as value name and the last attempt time as data
+                $lastAttempts = @{}
+                $grsPath = Join-Path $sidFolder.PSPath 'GRS'
+                if (Test-Path $grsPath) {
+                    foreach ($grsKey in @(Get-ChildItem -Path $grsPath -ErrorAction SilentlyContinue)) {
+                        $grsProps = Get-ItemProperty -Path $grsKey.PSPath -ErrorAction SilentlyContinue
+                        if (-not $grsProps) { continue }
+                        foreach ($prop in $grsProps.PSObject.Properties) {
+                            $grsAppId = $prop.Name -replace '_\d+$', ''
+                            if ($grsAppId -notmatch '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$') { continue }
+                            try { $lastAttempts[$grsAppId] = ([datetime]$prop.Value).ToString('o') }
+                            catch { $lastAttempts[$grsAppId] = [string]$prop.Value }
+                        }
+                    }
+                }
+
                 foreach ($appSubkey in $appSubkeys) {
                     $rawId = $appSubkey.PSChildName
 
@@ -107,6 +128,24 @@ function Get-LocalIntuneApplications {
                         ComplianceState  = $null
                         EnforcementState = $null
                         ErrorCode        = $null
+                        Applicability    = $null
+                        DesiredState     = $null
+                        InstallContext   = $null
+                        TargetingMethod  = $null
+                        DetectedVersion  = $null
+                        RetryCount       = $appProps.EnforcementRetryCount
+                        RetryIndex       = $appProps.EnforcementRetryIndex
+                        LastAttempt      = $lastAttempts[$cleanId]
+                    }
+
+                    # Fields of the compliance state message besides ComplianceState/ErrorCode
+                    $readComplianceMessage = {
+                        param($message)
+                        $record.Applicability = $message.Applicability
+                        $record.DesiredState = $message.DesiredState
+                        $record.InstallContext = $message.InstallContext
+                        $record.TargetingMethod = $message.TargetingMethod
+                        $record.DetectedVersion = $message.ProductVersion
                     }
 
                     # ComplianceStateMessage and EnforcementStateMessage can be stored as either:
@@ -121,6 +160,7 @@ function Get-LocalIntuneApplications {
                             if ($csm) {
                                 $record.ComplianceState = $csm.ComplianceState
                                 $record.ErrorCode = $csm.ErrorCode
+                                & $readComplianceMessage $csm
                             }
                         } catch {}
                     }
@@ -150,6 +190,7 @@ function Get-LocalIntuneApplications {
                                             if ($csm) {
                                                 $record.ComplianceState = $csm.ComplianceState
                                                 if (-not $record.ErrorCode) { $record.ErrorCode = $csm.ErrorCode }
+                                                & $readComplianceMessage $csm
                                             }
                                         } catch {}
                                     }
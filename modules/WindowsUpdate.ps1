@@ -66,6 +66,15 @@ $script:WURegistryHives = @(
             'UpdateServiceUrlAlternate'              = @{ Type = 'REG_SZ';    Meaning = 'Alternate update download URL'; Description = 'Alternate intranet download server URL. WUA can download update files from this server instead of the primary WSUS server.' }
             'FillEmptyContentUrls'                   = @{ Type = 'REG_DWORD'; Meaning = '1=Allow WUA to determine download URL'; Description = 'Allows WUA to determine the download URL when missing from update metadata. Only use with alternate download URL configured.' }
             'AUPowerManagement'                      = @{ Type = 'REG_DWORD'; Meaning = '1=Wake to install updates'; Description = 'Enables Windows Update Power Management to automatically wake the computer from hibernation to install scheduled updates.' }
+            'SetComplianceDeadline'                  = @{ Type = 'REG_DWORD'; Meaning = '1=Enforce update deadlines'; Description = 'Enables the compliance deadline policies. The ConfigureDeadline* values only take effect when this is set.' }
+            'ConfigureDeadlineForQualityUpdates'     = @{ Type = 'REG_DWORD'; Meaning = '0-30 days until forced install'; Description = 'Number of days after a quality update is offered before it is installed and a restart is scheduled automatically.' }
+            'ConfigureDeadlineForFeatureUpdates'     = @{ Type = 'REG_DWORD'; Meaning = '0-30 days until forced install'; Description = 'Number of days after a feature update is offered before it is installed and a restart is scheduled automatically.' }
+            'ConfigureDeadlineGracePeriod'           = @{ Type = 'REG_DWORD'; Meaning = '0-7 days grace before restart'; Description = 'Minimum number of days after a quality update deadline before a restart is forced, giving users time to restart on their own.' }
+            'ConfigureDeadlineGracePeriodForFeatureUpdates' = @{ Type = 'REG_DWORD'; Meaning = '0-7 days grace before restart'; Description = 'Minimum number of days after a feature update deadline before a restart is forced.' }
+            'ConfigureDeadlineNoAutoReboot'          = @{ Type = 'REG_DWORD'; Meaning = '1=Do not restart before grace period ends'; Description = 'Prevents automatic restarts until the deadline and grace period have passed, even outside active hours.' }
+            'TargetReleaseVersion'                   = @{ Type = 'REG_DWORD'; Meaning = '1=Pin to target release'; Description = 'Enables pinning feature updates to the release named by ProductVersion and TargetReleaseVersionInfo.' }
+            'TargetReleaseVersionInfo'               = @{ Type = 'REG_SZ';    Meaning = 'Target feature release (e.g. 23H2)'; Description = 'Feature update version the device should move to or stay on. Requires TargetReleaseVersion=1.' }
+            'ProductVersion'                         = @{ Type = 'REG_SZ';    Meaning = 'Target product (e.g. Windows 11)'; Description = 'Windows product the device should be offered feature updates for. Used together with TargetReleaseVersionInfo.' }
         }
     },
     @{
@@ -528,7 +537,8 @@ function Get-WUDecodedValue {
                     'DOAllowVPNPeerCaching', 'FlightCommitted',
                     'AllowAutoWindowsUpdateDownloadOverMeteredNetwork',
                     'SetPolicyDrivenUpdateSourceForOtherUpdates',
-                    'AcceleratedInstallRequired', 'IsOOBEInProgress'
+                    'AcceleratedInstallRequired', 'IsOOBEInProgress',
+                    'SetComplianceDeadline', 'ConfigureDeadlineNoAutoReboot', 'TargetReleaseVersion'
                 )
                 if ($KeyName -in $boolKeys) {
                     if ($Value -eq 1) { return 'Enabled' } else { return 'Disabled' }
@@ -679,12 +689,18 @@ function Get-WUAUpdateStatus {
                     }
                     $severity = $update.MsrcSeverity
                     if (-not $severity) { $severity = 'Unspecified' }
+                    # Ref: IUpdate.LastDeploymentChangeTime - when the update was published/revised
+                    $releaseDate = $null
+                    if ($update.LastDeploymentChangeTime) {
+                        try { $releaseDate = $update.LastDeploymentChangeTime.ToString('yyyy-MM-dd HH:mm:ss') } catch {}
+                    }
                     $result.PendingUpdates += @{
                         Title        = $update.Title
                         KBArticleIDs = ($kbs -join ', ')
                         IsDownloaded = [bool]$update.IsDownloaded
                         IsMandatory  = [bool]$update.IsMandatory
                         MsrcSeverity = $severity
+                        ReleaseDate  = $releaseDate
                     }
                 }
             }
@@ -692,7 +708,7 @@ function Get-WUAUpdateStatus {
                 $result.Error = "Pending search failed: $($_.Exception.Message)"
             }
 
-            # Recent history (last 50)
+            # Recent history (last 200, enough to see repeated failures of one KB)
             # Ref: IUpdateHistoryEntry - Operation: 1=Install, 2=Uninstall
             # Ref: OperationResultCode: 0=NotStarted, 1=InProgress, 2=Succeeded, 3=SucceededWithErrors, 4=Failed, 5=Aborted
             try {
@@ -700,7 +716,7 @@ function Get-WUAUpdateStatus {
                 $result.TotalHistoryCount = $totalHistory
                 if ($totalHistory -gt 0) {
                     $count = $totalHistory
-                    if ($count -gt 50) { $count = 50 }
+                    if ($count -gt 200) { $count = 200 }
                     $history = $searcher.QueryHistory(0, $count)
                     for ($i = 0; $i -lt $history.Count; $i++) {
                         $entry = $history.Item($i)
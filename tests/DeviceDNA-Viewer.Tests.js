@@ -0,0 +1,655 @@
+/**
+ * Unit tests for the viewer's analysis functions
+ *
+ * Runs the viewer script in the headless renderer's recording context and
+ * calls its functions directly. Needs Node.js 18+ and no npm packages:
+ *
+ *   node --test tests/DeviceDNA-Viewer.Tests.js
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const vm = require('vm');
+const { loadViewer, createRecordingContext } = require('../DeviceDNA-Render.js');
+
+const viewer = loadViewer(path.join(__dirname, '..', 'DeviceDNA-Viewer.html'));
+const context = createRecordingContext(new Map(), viewer.markup);
+// The zip writer encodes with the browser's TextEncoder
+context.TextEncoder = TextEncoder;
+vm.runInContext(viewer.script, context, { filename: 'DeviceDNA-Viewer.html' });
+
+/**
+ * Look up a viewer function or constant by name
+ */
+function viewerGlobal(name) {
+    return vm.runInContext(name, context);
+}
+
+/**
+ * Copy a value out of the viewer's realm so deepStrictEqual compares structure, not prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build windowsUpdate.registryPolicy entries from "Hive|Setting" -> value pairs
+ */
+function wuPolicy(values) {
+    const registryPolicy = {};
+    Object.entries(values).forEach(([key, value]) => {
+        const [hive, setting] = key.split('|');
+        registryPolicy[key] = { Hive: hive, Setting: setting, Value: value, Decoded: String(value), Known: true };
+    });
+    return { windowsUpdate: { registryPolicy } };
+}
+
+// ============================================================================
+// WINDOWS UPDATE
+// ============================================================================
+
+describe('getWUPauseState', () => {
+    const getWUPauseState = viewerGlobal('getWUPauseState');
+    const formatWUDate = viewerGlobal('formatWUDate');
+    const asOf = new Date(2026, 9, 19);
+
+    it('reads a dated policy start time', () => {
+        const pause = getWUPauseState(wuPolicy({ 'WindowsUpdate Policy|PauseQualityUpdatesStartTime': '2026-10-05 00:00:00' }), 'Quality', asOf);
+        assert.strictEqual(pause.paused, true);
+        assert.strictEqual(pause.source, 'Policy');
+        assert.strictEqual(formatWUDate(pause.start), formatWUDate(new Date(2026, 9, 5)));
+        assert.strictEqual(formatWUDate(pause.end), formatWUDate(new Date(2026, 10, 9)));
+    });
+
+    it('takes the start of a pause set to 1 from the device pause state', () => {
+        const pause = getWUPauseState(wuPolicy({
+            'WindowsUpdate Policy|PauseQualityUpdatesStartTime': '1',
+            'Update Policy State|PausedQualityDate': '2026-10-05 08:30:00'
+        }), 'Quality', asOf);
+        assert.strictEqual(pause.paused, true);
+        assert.strictEqual(pause.start.getFullYear(), 2026);
+        assert.strictEqual(formatWUDate(pause.start), formatWUDate(new Date(2026, 9, 5)));
+    });
+
+    it('reports a pause set to 1 without a device date as paused with no start', () => {
+        const data = wuPolicy({
+            'WindowsUpdate Policy|PauseFeatureUpdatesStartTime': '1',
+            'WindowsUpdate Policy|PauseQualityUpdatesStartTime': '1'
+        });
+        const pause = getWUPauseState(data, 'Feature', asOf);
+        assert.deepStrictEqual(plain(pause), { paused: true, start: null, end: null, source: 'Policy', expired: false });
+        assert.strictEqual(viewerGlobal('formatWUPause')(pause), 'Paused (Policy, start unknown)');
+
+        data.metadata = { collectionTime: '2026-10-19 09:00:00' };
+        const interpretation = viewerGlobal('interpretWUPolicy')(data);
+        assert.strictEqual(interpretation.feature.earliestOffer, undefined);
+        assert.strictEqual(interpretation.quality.offer, null);
+        assert.strictEqual(interpretation.quality.installBy, undefined);
+        assert.ok(interpretation.notes.some(note => note.includes('without a start date')));
+    });
+
+    it('ignores values that are not dates', () => {
+        const pause = getWUPauseState(wuPolicy({ 'WindowsUpdate Policy|PauseQualityUpdatesStartTime': '0' }), 'Quality', asOf);
+        assert.strictEqual(pause.paused, false);
+    });
+});
+
+describe('interpretWUPolicy', () => {
+    it('offers quality updates after the deferral and schedules the deadline from the offer', () => {
+        const data = wuPolicy({
+            'WindowsUpdate Policy|DeferQualityUpdatesPeriodInDays': 7,
+            'WindowsUpdate Policy|ConfigureDeadlineForQualityUpdates': 3,
+            'WindowsUpdate Policy|ConfigureDeadlineGracePeriod': 2
+        });
+        data.metadata = { collectionTime: '2026-10-12 09:00:00' };
+        const formatWUDate = viewerGlobal('formatWUDate');
+        const quality = viewerGlobal('interpretWUPolicy')(data).quality;
+        assert.strictEqual(formatWUDate(quality.release), '2026-10-13');
+        assert.strictEqual(formatWUDate(quality.offer), '2026-10-20');
+        assert.strictEqual(formatWUDate(quality.installBy), '2026-10-23');
+        assert.strictEqual(formatWUDate(quality.restartBy), '2026-10-25');
+    });
+
+    it('holds the quality offer until a later pause ends', () => {
+        const data = wuPolicy({ 'WindowsUpdate Policy|PauseQualityUpdatesStartTime': '2026-10-10 00:00:00' });
+        data.metadata = { collectionTime: '2026-10-12 09:00:00' };
+        const quality = viewerGlobal('interpretWUPolicy')(data).quality;
+        assert.strictEqual(quality.offerHeldByPause, true);
+        assert.strictEqual(viewerGlobal('formatWUDate')(quality.offer), '2026-11-14');
+    });
+});
+
+describe('decodeWUHResult', () => {
+    const decodeWUHResult = viewerGlobal('decodeWUHResult');
+
+    it('decodes signed decimal and hex HResults to the same code', () => {
+        assert.deepStrictEqual(plain(decodeWUHResult(-2145124329)), plain(decodeWUHResult('0x80240017')));
+        assert.strictEqual(decodeWUHResult('-2145124329').code, '0x80240017');
+        assert.strictEqual(decodeWUHResult(-2145124329).name, 'WU_E_NOT_APPLICABLE');
+    });
+
+    it('pads short hex codes and keeps unknown codes without a name', () => {
+        assert.strictEqual(decodeWUHResult('0x1234').code, '0x00001234');
+        assert.strictEqual(decodeWUHResult('0x1234').name, null);
+    });
+
+    it('returns null for no error', () => {
+        assert.strictEqual(decodeWUHResult(0), null);
+        assert.strictEqual(decodeWUHResult(''), null);
+        assert.strictEqual(decodeWUHResult('0x00000000'), null);
+    });
+});
+
+describe('clusterWUFailures', () => {
+    const history = [
+        { Title: '2026-09 Cumulative Update (KB5044285)', Date: '2026-09-10 03:00:00', Result: 'Failed', HResult: -2145124329 },
+        { Title: '2026-09 Cumulative Update (KB5044285)', Date: '2026-09-12 03:00:00', Result: 'Failed', HResult: '0x80240017' },
+        { Title: '2026-09 Cumulative Update (KB5044285)', Date: '2026-09-14 03:00:00', Result: 'Succeeded' },
+        { Title: 'Defender Platform Update (KB4052623)', Date: '2026-09-20 03:00:00', Result: 'Aborted', HResult: -2147023293 },
+        { Title: 'Driver update', Date: '2026-09-21 03:00:00', Result: 'Succeeded' }
+    ];
+
+    it('groups failures by KB, counts HResults across formats and marks later successes resolved', () => {
+        const clusters = plain(viewerGlobal('clusterWUFailures')(history));
+        assert.deepStrictEqual(clusters.map(c => [c.kb, c.attempts, c.resolved]),
+            [['KB5044285', 2, true], ['KB4052623', 1, false]]);
+        assert.deepStrictEqual(clusters[0].hResults, { '0x80240017': 2 });
+        assert.deepStrictEqual(clusters[1].hResults, { '0x80070643': 1 });
+    });
+
+    it('returns nothing without history', () => {
+        assert.strictEqual(viewerGlobal('clusterWUFailures')(undefined).length, 0);
+    });
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+describe('buildXlsxCell', () => {
+    const buildXlsxCell = viewerGlobal('buildXlsxCell');
+
+    it('writes numbers only in numeric columns', () => {
+        assert.strictEqual(buildXlsxCell('A2', '42', 0, true), '<c r="A2"><v>42</v></c>');
+        assert.match(buildXlsxCell('A2', '42', 0, false), /t="inlineStr"/);
+    });
+
+    it('keeps values that would not read back unchanged as text', () => {
+        ['007', '1.0', '10.0.22631', '1e5', '12345678901234567890', '0x80070005', ''].forEach(value => {
+            assert.match(buildXlsxCell('A2', value, 0, true), /t="inlineStr"/, value);
+        });
+    });
+});
+
+describe('buildExportModel', () => {
+    it('marks count columns numeric and leaves version and ID columns as text', () => {
+        const sections = viewerGlobal('buildExportModel')({
+            deviceInfo: { name: 'PC01' },
+            intune: { compliancePolicies: [{ displayName: 'Baseline', gracePeriodHours: 24 }] },
+            sccm: { applications: [{ Name: 'App', Version: '10' }] }
+        });
+        const compliance = sections.find(section => section.sheet === 'Compliance Policies');
+        assert.deepStrictEqual(plain(compliance.numeric), [compliance.columns.indexOf('Grace Period (hours)')]);
+        assert.deepStrictEqual(plain(sections.find(section => section.sheet === 'SCCM Applications').numeric), []);
+    });
+
+    it('lists each Group Policy setting once, under the GPO that claims it', () => {
+        const sections = viewerGlobal('buildExportModel')({
+            groupPolicy: {
+                computerScope: { appliedGPOs: [{ name: 'Baseline', guid: '{B1}', settings: [{ name: 'Own' }] }] },
+                settings: [
+                    { name: 'By name', sourceGPO: 'baseline' },
+                    { name: 'By GUID', gpoGuid: '{B1}' },
+                    { name: 'Unclaimed', sourceGPO: 'Removed GPO' }
+                ]
+            }
+        });
+        const rows = sections.find(section => section.sheet === 'GP Settings').rows;
+        assert.deepStrictEqual(plain(rows.map(row => [row[0], row[1]])),
+            [['Baseline', 'Own'], ['Baseline', 'By name'], ['Baseline', 'By GUID'], ['Removed GPO', 'Unclaimed']]);
+    });
+});
+
+describe('crc32 and buildZip', () => {
+    const encode = text => new TextEncoder().encode(text);
+
+    it('computes the standard CRC-32 check value', () => {
+        assert.strictEqual(viewerGlobal('crc32')(encode('123456789')), 0xCBF43926);
+        assert.strictEqual(viewerGlobal('crc32')(encode('')), 0);
+    });
+
+    it('writes stored entries a zip reader can locate', () => {
+        const zip = viewerGlobal('buildZip')([{ name: 'a.txt', content: 'hello' }, { name: 'dir/b.xml', content: '<x/>' }]);
+        const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+
+        assert.strictEqual(view.getUint32(0, true), 0x04034B50);
+        assert.strictEqual(view.getUint16(8, true), 0, 'stored, not deflated');
+        assert.strictEqual(view.getUint32(14, true), viewerGlobal('crc32')(encode('hello')));
+        assert.strictEqual(Buffer.from(zip.slice(30, 35)).toString(), 'a.txt');
+        assert.strictEqual(Buffer.from(zip.slice(35, 40)).toString(), 'hello');
+
+        const end = zip.length - 22;
+        assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+        assert.strictEqual(view.getUint16(end + 10, true), 2);
+        const centralOffset = view.getUint32(end + 16, true);
+        assert.strictEqual(view.getUint32(centralOffset, true), 0x02014B50);
+        assert.strictEqual(centralOffset + view.getUint32(end + 12, true), end);
+    });
+});
+
+// ============================================================================
+// SEARCH QUERY LANGUAGE
+// ============================================================================
+
+describe('tokenizeQuery', () => {
+    const tokenizeQuery = viewerGlobal('tokenizeQuery');
+    const fields = ['name', 'status', 'publisher'];
+
+    it('reads field terms for known fields', () => {
+        assert.deepStrictEqual(plain(tokenizeQuery('publisher:contoso', fields)),
+            [{ type: 'term', field: 'publisher', op: ':', value: 'contoso' }]);
+    });
+
+    it('treats words with an unknown field prefix as text', () => {
+        assert.deepStrictEqual(plain(tokenizeQuery('C:\\Windows HKLM:', fields)),
+            [{ type: 'term', text: 'C:\\Windows' }, { type: 'term', text: 'HKLM:' }]);
+    });
+
+    it('still rejects a known field without a value', () => {
+        assert.throws(() => tokenizeQuery('status:', fields), /Missing value/);
+    });
+});
+
+describe('parseQuery', () => {
+    const parseQuery = viewerGlobal('parseQuery');
+
+    it('ANDs adjacent terms and binds OR looser than AND', () => {
+        const tree = plain(parseQuery('a b OR c'));
+        assert.strictEqual(tree.type, 'or');
+        assert.strictEqual(tree.items[0].type, 'and');
+        assert.deepStrictEqual(tree.items[1], { type: 'term', text: 'c' });
+    });
+
+    it('negates with - and NOT, and groups with parentheses', () => {
+        assert.deepStrictEqual(plain(parseQuery('-zoom')), { type: 'not', item: { type: 'term', text: 'zoom' } });
+        assert.strictEqual(parseQuery('NOT (a OR b)').item.type, 'or');
+    });
+
+    it('returns null for an empty query', () => {
+        assert.strictEqual(parseQuery('   '), null);
+    });
+
+    it('rejects unbalanced parentheses and dangling operators', () => {
+        assert.throws(() => parseQuery('(a OR b'), /Missing closing parenthesis/);
+        assert.throws(() => parseQuery('a OR b)'), /Unexpected "\)"/);
+        assert.throws(() => parseQuery('()'), /Expected a search term/);
+        assert.throws(() => parseQuery('a OR'), /Expected a search term at the end/);
+        assert.throws(() => parseQuery('a NOT'), /after NOT/);
+        assert.throws(() => parseQuery('"open'), /Missing closing quote/);
+    });
+});
+
+describe('validateQuery', () => {
+    const parseQuery = viewerGlobal('parseQuery');
+    const validateQuery = viewerGlobal('validateQuery');
+    const fields = ['name', 'status', 'date', 'errorCode'];
+
+    it('accepts known fields and comparable values', () => {
+        assert.doesNotThrow(() => validateQuery(parseQuery('errorcode>=1603 date<2026-09-01 status:failed'), fields));
+    });
+
+    it('rejects unknown fields when no field names were given to the parser', () => {
+        assert.throws(() => validateQuery(parseQuery('publisher:contoso'), fields), /Unknown field "publisher"/);
+    });
+
+    it('rejects comparisons against values that are neither numbers nor dates', () => {
+        assert.throws(() => validateQuery(parseQuery('date>yesterday'), fields), /needs a number or a yyyy-mm-dd date/);
+    });
+});
+
+describe('matchQuery', () => {
+    const parseQuery = viewerGlobal('parseQuery');
+    const matchQuery = viewerGlobal('matchQuery');
+    const row = {
+        text: 'zoom contoso failed',
+        entry: {
+            area: 'intune-apps',
+            item: { name: 'Zoom', state: 'Failed', category: 'error' },
+            source: { publisher: 'Contoso Ltd', errorCode: 1603, lastModified: '2026-09-15 10:00:00', targetGroups: ['All Devices', 'Pilot'] }
+        }
+    };
+    const matches = query => matchQuery(parseQuery(query), row);
+
+    it('matches free text and phrases against the row text', () => {
+        assert.strictEqual(matches('Zoom'), true);
+        assert.strictEqual(matches('"contoso failed"'), true);
+        assert.strictEqual(matches('teams'), false);
+    });
+
+    it('matches field terms against the source item and virtual fields', () => {
+        assert.strictEqual(matches('publisher:contoso'), true);
+        assert.strictEqual(matches('publisher=contoso'), false);
+        assert.strictEqual(matches('status=failed section:apps'), true);
+        assert.strictEqual(matches('targetGroups=pilot'), true);
+        assert.strictEqual(matches('targetGroups!=pilot'), false);
+    });
+
+    it('compares numbers and dates', () => {
+        assert.strictEqual(matches('errorcode>=1603'), true);
+        assert.strictEqual(matches('errorcode>1603'), false);
+        assert.strictEqual(matches('lastModified>2026-09-01'), true);
+        assert.strictEqual(matches('lastModified<2026-09-01'), false);
+    });
+
+    it('combines terms with OR, NOT and grouping', () => {
+        assert.strictEqual(matches('teams OR zoom'), true);
+        assert.strictEqual(matches('-zoom'), false);
+        assert.strictEqual(matches('(teams OR zoom) -status:succeeded'), true);
+    });
+
+    it('never matches field terms on rows without a source item', () => {
+        assert.strictEqual(matchQuery(parseQuery('status:failed'), { text: 'failed', entry: null }), false);
+    });
+});
+
+// ============================================================================
+// POLICY CHECKS
+// ============================================================================
+
+describe('evaluatePolicyRule', () => {
+    const evaluatePolicyRule = viewerGlobal('evaluatePolicyRule');
+    const data = {
+        deviceInfo: {
+            Security: {
+                BitLockerVolumes: [
+                    { MountPoint: 'C:', ProtectionStatus: 'On', EncryptionPercentage: 100 },
+                    { MountPoint: 'D:', ProtectionStatus: 'Off' }
+                ]
+            }
+        }
+    };
+    const rule = (conditions, extra) => Object.assign({ id: 'r', title: 'Rule', source: 'bitlocker-volumes', conditions }, extra);
+    const evidence = result => result.evidence.map(item => item.name);
+
+    it('fails an all rule on the offending items', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'ProtectionStatus', op: 'eq', value: 'On' }]), data, null);
+        assert.strictEqual(result.status, 'fail');
+        assert.strictEqual(result.category, 'error');
+        assert.deepStrictEqual(evidence(result), ['D:']);
+    });
+
+    it('passes an any rule on the matching items', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'ProtectionStatus', op: 'eq', value: 'On' }], { expect: 'any' }), data, null);
+        assert.strictEqual(result.status, 'pass');
+        assert.deepStrictEqual(evidence(result), ['C:']);
+    });
+
+    it('fails a none rule on the items that match', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'ProtectionStatus', op: 'eq', value: 'Off' }], { expect: 'none', severity: 'warning' }), data, null);
+        assert.strictEqual(result.status, 'fail');
+        assert.strictEqual(result.category, 'warning');
+        assert.deepStrictEqual(evidence(result), ['D:']);
+    });
+
+    it('reports unknown when an ordering condition has no value to compare', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'EncryptionPercentage', op: 'gte', value: 100 }]), data, null);
+        assert.strictEqual(result.status, 'unknown');
+        assert.deepStrictEqual(evidence(result), ['D:']);
+    });
+
+    it('applies where before judging and fails when nothing passes it', () => {
+        const where = [{ field: 'MountPoint', op: 'eq', value: 'C:' }];
+        assert.strictEqual(evaluatePolicyRule(rule([{ field: 'EncryptionPercentage', op: 'gte', value: 100 }], { where }), data, null).status, 'pass');
+        const none = evaluatePolicyRule(rule([{ field: 'ProtectionStatus', op: 'exists' }], { where: [{ field: 'MountPoint', op: 'eq', value: 'E:' }] }), data, null);
+        assert.strictEqual(none.status, 'fail');
+        assert.strictEqual(none.message, 'No item matched the rule filter');
+    });
+
+    it('reports no data when the source was not collected', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'ProtectionStatus', op: 'eq', value: 'On' }]), {}, null);
+        assert.strictEqual(result.status, 'nodata');
+        assert.strictEqual(result.category, 'neutral');
+    });
+
+    it('turns a rule that throws into an error result', () => {
+        const result = evaluatePolicyRule(rule([{ field: 'MountPoint', op: 'matches', value: '(' }]), data, null);
+        assert.strictEqual(result.status, 'error');
+        assert.match(result.message, /^Could not evaluate/);
+    });
+});
+
+// ============================================================================
+// SNAPSHOT COMPARISON
+// ============================================================================
+
+describe('compareSnapshots', () => {
+    const snapshot = groups => ({ intune: { deviceGroups: groups } });
+
+    it('reports added, removed and changed items with their keys', () => {
+        const before = snapshot([
+            { id: 'g1', displayName: 'Pilot', groupType: 'Assigned' },
+            { id: 'g2', displayName: 'Kiosks', groupType: 'Assigned' },
+            { id: 'g3', displayName: 'Old', groupType: 'Assigned' }
+        ]);
+        const after = snapshot([
+            { id: 'g1', displayName: 'Pilot', groupType: 'Assigned' },
+            { id: 'g2', displayName: 'Kiosks', groupType: 'Dynamic', membershipRule: '(device.deviceModel -eq "Kiosk")' },
+            { id: 'g4', displayName: 'New', groupType: 'Assigned' }
+        ]);
+        const changes = plain(viewerGlobal('compareSnapshots')(before, after))
+            .filter(change => change.section === 'Device Groups');
+
+        assert.deepStrictEqual(changes.map(c => [c.type, c.key, c.name]).sort(),
+            [['added', 'g4', 'New'], ['changed', 'g2', 'Kiosks'], ['removed', 'g3', 'Old']]);
+        const changed = changes.find(c => c.type === 'changed');
+        assert.deepStrictEqual(changed.fields.map(f => [f.field, f.before, f.after]), [
+            ['groupType', 'Assigned', 'Dynamic'],
+            ['membershipRule', '', '(device.deviceModel -eq "Kiosk")']
+        ]);
+    });
+
+    it('pairs items with repeated keys in order', () => {
+        const before = snapshot([{ displayName: 'Dup', groupType: 'Assigned' }, { displayName: 'Dup', groupType: 'Assigned' }]);
+        const after = snapshot([{ displayName: 'Dup', groupType: 'Assigned' }, { displayName: 'Dup', groupType: 'Dynamic' }]);
+        const changes = plain(viewerGlobal('compareSnapshots')(before, after));
+        assert.deepStrictEqual(changes.map(c => [c.type, c.key]), [['changed', 'dup#2']]);
+    });
+
+    it('finds nothing between identical snapshots', () => {
+        const data = snapshot([{ id: 'g1', displayName: 'Pilot' }]);
+        assert.strictEqual(viewerGlobal('compareSnapshots')(data, JSON.parse(JSON.stringify(data))).length, 0);
+    });
+});
+
+// ============================================================================
+// ASSIGNMENT MODEL
+// ============================================================================
+
+describe('evaluateDeviceRule', () => {
+    const evaluateDeviceRule = viewerGlobal('evaluateDeviceRule');
+    const properties = { devicemodel: 'Surface Laptop 5', deviceostype: 'Windows', model: 'Surface Laptop 5' };
+    const evaluate = rule => plain(evaluateDeviceRule(rule, properties));
+
+    it('evaluates comparisons joined by and/or', () => {
+        assert.strictEqual(evaluate('(device.deviceModel -startsWith "Surface") and (device.deviceOSType -eq "Windows")').result, true);
+        assert.strictEqual(evaluate('(device.model -in ["HP EliteBook", "Surface Laptop 5"])').result, true);
+        assert.strictEqual(evaluate('(device.model -eq "HP EliteBook") -or (device.deviceOSType -ne "Windows")').result, false);
+        assert.strictEqual(evaluate('not (device.model -contains "Surface")').result, false);
+    });
+
+    it('is unknown when a property was not collected, unless the rest decides it', () => {
+        const unknown = evaluate('device.enrollmentProfileName -eq "Autopilot"');
+        assert.strictEqual(unknown.result, null);
+        assert.deepStrictEqual(unknown.unknownProperties, ['device.enrollmentProfileName']);
+        assert.strictEqual(evaluate('(device.model -eq "HP") and (device.enrollmentProfileName -eq "Autopilot")').result, false);
+        assert.strictEqual(evaluate('(device.model -contains "Surface") or (device.enrollmentProfileName -eq "Autopilot")').result, true);
+    });
+
+    it('is unknown for -any / -all rules on multi-valued properties', () => {
+        const result = evaluate('(device.devicePhysicalIds -any (_ -contains "[ZTDId]"))');
+        assert.strictEqual(result.result, null);
+    });
+
+    it('does not parse rules with unbalanced parentheses or missing operands', () => {
+        assert.deepStrictEqual(evaluate('(device.model -eq "Surface Laptop 5"'), { result: null, unknownProperties: [], unparsed: true });
+        assert.strictEqual(evaluate('device.model -eq "Surface Laptop 5")').unparsed, true);
+        assert.strictEqual(evaluate('device.model -eq').unparsed, true);
+        assert.strictEqual(evaluate('').unparsed, true);
+    });
+});
+
+describe('getAssignmentModel', () => {
+    const getAssignmentModel = viewerGlobal('getAssignmentModel');
+    const intune = {
+        managedDevice: { model: 'Surface Laptop 5' },
+        deviceGroups: [{ id: 'g1', displayName: 'Pilot' }],
+        assignmentFilters: [{ id: 'f1', displayName: 'Surface only', rule: '(device.model -startsWith "Surface")' }]
+    };
+    const model = assignments => getAssignmentModel({ assignments }, intune);
+
+    it('targets through a member group whose include filter matches', () => {
+        const result = model([{ targetType: 'Group: g1', groupId: 'g1', intent: 'required', filterId: 'f1', filterType: 'include' }]);
+        assert.strictEqual(result.verdict, 'Targeted');
+        assert.strictEqual(result.entries[0].effect, 'matched');
+        assert.strictEqual(result.entries[0].groupName, 'Pilot');
+        assert.deepStrictEqual(plain(result.intents), ['required']);
+    });
+
+    it('filters out an assignment whose exclude filter matches', () => {
+        const result = model([{ targetType: 'All Devices', filterId: 'f1', filterType: 'exclude' }]);
+        assert.strictEqual(result.verdict, 'Not targeted');
+        assert.strictEqual(result.entries[0].effect, 'filtered-out');
+    });
+
+    it('lets a member exclusion win over an include', () => {
+        const result = model([{ targetType: 'All Devices' }, { targetType: 'Exclude: g1', groupId: 'g1' }]);
+        assert.strictEqual(result.verdict, 'Excluded');
+    });
+
+    it('skips groups the device is not in and flags user and unknown-filter targeting', () => {
+        assert.strictEqual(model([{ targetType: 'Group: g9', groupId: 'g9' }]).entries[0].effect, 'not-member');
+        assert.strictEqual(model([{ targetType: 'All Users' }]).verdict, 'Possibly targeted');
+        assert.strictEqual(model([{ targetType: 'All Devices', filterId: 'missing', filterType: 'include' }]).entries[0].effect, 'filter-unknown');
+    });
+
+    it('reads the targetGroups labels of older reports', () => {
+        const result = getAssignmentModel({ targetGroups: ['Pilot ✓', 'Excluded: Kiosks'] }, intune);
+        assert.deepStrictEqual(result.entries.map(e => e.effect), ['matched', 'excluded']);
+        assert.strictEqual(result.verdict, 'Excluded');
+    });
+});
+
+// ============================================================================
+// APP INSTALL DIAGNOSTICS
+// ============================================================================
+
+describe('decodeIMEErrorCode', () => {
+    const decodeIMEErrorCode = viewerGlobal('decodeIMEErrorCode');
+
+    it('decodes signed decimal HRESULTs as hex', () => {
+        assert.strictEqual(decodeIMEErrorCode(-2016281112).code, '0x87D1FDE8');
+        assert.strictEqual(decodeIMEErrorCode('-2147024891').code, '0x80070005');
+        assert.strictEqual(decodeIMEErrorCode('-2147024891').name, 'E_ACCESSDENIED');
+    });
+
+    it('reads small positive numbers as installer exit codes', () => {
+        assert.strictEqual(decodeIMEErrorCode(1603).code, '1603');
+        assert.strictEqual(decodeIMEErrorCode(1603).name, 'Fatal error during installation');
+    });
+
+    it('falls back to the exit code wrapped in a 0x8007 HRESULT', () => {
+        const decoded = decodeIMEErrorCode(-2147023271);
+        assert.strictEqual(decoded.code, '0x80070659');
+        assert.strictEqual(decoded.name, 'Prohibited by policy');
+    });
+
+    it('returns null for no error', () => {
+        assert.strictEqual(decodeIMEErrorCode(0), null);
+        assert.strictEqual(decodeIMEErrorCode(null), null);
+        assert.strictEqual(decodeIMEErrorCode('0x00000000'), null);
+    });
+});
+
+// ============================================================================
+// COMPLIANCE
+// ============================================================================
+
+describe('getComplianceVerdict', () => {
+    const getComplianceVerdict = viewerGlobal('getComplianceVerdict');
+    const report = (states, managedDevice) => ({
+        metadata: { collectionTime: '2026-10-19T09:00:00Z' },
+        intune: {
+            managedDevice,
+            compliancePolicies: states.map((complianceState, i) => ({ displayName: 'Policy ' + (i + 1), complianceState }))
+        }
+    });
+
+    it('is compliant when every collected policy is', () => {
+        const verdict = getComplianceVerdict(report(['Compliant', 'Compliant'], { complianceState: 'compliant' }));
+        assert.strictEqual(verdict.status, 'Compliant');
+        assert.strictEqual(verdict.compliant, 2);
+        assert.strictEqual(verdict.notes.length, 0);
+    });
+
+    it('is non-compliant on a non-compliant policy outside a grace period', () => {
+        const verdict = getComplianceVerdict(report(['Compliant', 'NonCompliant']));
+        assert.strictEqual(verdict.status, 'Non-Compliant');
+        assert.deepStrictEqual(verdict.noncompliant.map(p => p.displayName), ['Policy 2']);
+    });
+
+    it('is in grace while the device grace period is open', () => {
+        const verdict = getComplianceVerdict(report(['NonCompliant'], { complianceGracePeriodExpirationDateTime: '2026-10-25T00:00:00Z' }));
+        assert.strictEqual(verdict.status, 'In Grace Period');
+        assert.strictEqual(verdict.grace.daysLeft, 5);
+    });
+
+    it('follows a non-compliant device state that no collected policy explains', () => {
+        const verdict = getComplianceVerdict(report(['Compliant'], { complianceState: 'noncompliant' }));
+        assert.strictEqual(verdict.status, 'Non-Compliant');
+        assert.match(verdict.notes[0], /built-in device compliance policy/);
+    });
+
+    it('falls back to the device state when no policy was collected', () => {
+        assert.strictEqual(getComplianceVerdict(report([], { complianceState: 'compliant' })).status, 'Compliant');
+        assert.strictEqual(getComplianceVerdict(report([])).status, 'Unknown');
+    });
+});
+
+// ============================================================================
+// SETTING CONFLICTS
+// ============================================================================
+
+describe('analyzeSettingConflicts', () => {
+    const report = gpoSettings => ({
+        groupPolicy: { computerScope: { appliedGPOs: [{ name: 'Updates GPO', guid: 'g1', settings: gpoSettings }] } },
+        intune: {
+            configurationProfiles: [{
+                displayName: 'Update Ring',
+                settings: [{ definitionId: 'device_vendor_msft_policy_config_update_deferqualityupdatesperiodindays', value: 7 }]
+            }]
+        }
+    });
+
+    it('matches a GPO registry setting to the Settings Catalog and flags differing values', () => {
+        const analysis = viewerGlobal('analyzeSettingConflicts')(report([{
+            name: 'DeferQualityUpdatesPeriodInDays',
+            registryPath: 'HKLM\\Software\\Policies\\Microsoft\\Windows\\WindowsUpdate',
+            registryValue: 'DeferQualityUpdatesPeriodInDays',
+            value: 14
+        }]));
+        assert.deepStrictEqual(plain(analysis.items.map(i => [i.key, i.differing])), [['update/deferqualityupdatesperiodindays', true]]);
+        assert.strictEqual(analysis.unmatchedGP, 0);
+    });
+
+    it('counts ADMX settings without a registry path as unmatched', () => {
+        const analysis = viewerGlobal('analyzeSettingConflicts')(report([
+            { name: 'Select when Quality Updates are received', category: 'Administrative Templates', state: 'Enabled' },
+            { name: 'Configure Automatic Updates', category: 'Administrative Templates', state: 'Enabled' }
+        ]));
+        assert.strictEqual(analysis.items.length, 0);
+        assert.strictEqual(analysis.unmatchedGP, 2);
+    });
+});